@@ -0,0 +1,60 @@
+// Local stand-in for alert delivery, so webhooks and e-mail can be exercised
+// with zero external services:
+//
+//   node tests/alert-sink.js            # webhook on :3125, SMTP on :2525
+//   SMTP_URL=smtp://127.0.0.1:2525 ALERT_WEBHOOK_ALLOW=127.0.0.1 node server.js
+//
+// then point a rule's channels at { type: 'webhook', url: 'http://127.0.0.1:3125/hook' }
+// and/or { type: 'email', to: 'desk@example.com' }. Everything received is
+// printed to stdout. The SMTP side speaks just enough of RFC 5321 for
+// nodemailer (no STARTTLS / AUTH advertised, so it sends in the clear).
+'use strict';
+
+const http = require('http');
+const net = require('net');
+
+const HTTP_PORT = parseInt(process.env.SINK_HTTP_PORT, 10) || 3125;
+const SMTP_PORT = parseInt(process.env.SINK_SMTP_PORT, 10) || 2525;
+
+http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    console.log(`[webhook] ${req.method} ${req.url} ${body}`);
+    res.writeHead(204);
+    res.end();
+  });
+}).listen(HTTP_PORT, () => console.log(`[alert-sink] webhook listening on :${HTTP_PORT}`));
+
+net.createServer(sock => {
+  let buf = '';
+  let inData = false;
+  let message = '';
+  const reply = line => sock.write(`${line}\r\n`);
+  reply('220 alert-sink ESMTP');
+  sock.on('data', chunk => {
+    buf += chunk.toString('utf8');
+    let i;
+    while ((i = buf.indexOf('\r\n')) !== -1) {
+      const line = buf.slice(0, i);
+      buf = buf.slice(i + 2);
+      if (inData) {
+        if (line === '.') {
+          inData = false;
+          console.log(`[smtp] message received:\n${message}`);
+          message = '';
+          reply('250 OK queued');
+        } else {
+          message += `${line.startsWith('..') ? line.slice(1) : line}\n`;
+        }
+        continue;
+      }
+      const cmd = line.slice(0, 4).toUpperCase();
+      if (cmd === 'EHLO' || cmd === 'HELO') reply('250 alert-sink');
+      else if (cmd === 'DATA') { inData = true; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (cmd === 'QUIT') { reply('221 Bye'); sock.end(); }
+      else reply('250 OK'); // MAIL FROM, RCPT TO, RSET, NOOP
+    }
+  });
+  sock.on('error', () => {});
+}).listen(SMTP_PORT, () => console.log(`[alert-sink] SMTP listening on :${SMTP_PORT}`));
@@ -1,15 +1,20 @@
 // Preload that replaces global.fetch with a deterministic Open-Meteo /
-// MET Norway mock, so the whole app can be booted and exercised with zero
-// network access (build sandboxes cannot reach the real APIs):
+// MET Norway / Bright Sky mock, so the whole app can be booted and exercised
+// with zero network access (build sandboxes cannot reach the real APIs):
 //
 //   node --require ./tests/mock-fetch.js server.js
 //
-// Values are synthetic but shaped exactly like the real API responses.
+// Open-Meteo values are synthetic but shaped exactly like the real API
+// responses; MET Norway and Bright Sky answer with the fixtures in
+// tests/fixtures (the same files the unit tests read), moved to today.
 // models=metno_seamless deliberately returns the real API's "no data for
 // this location" error, so the History tab's source-skipping path is
 // exercised the way it will behave in production for CZ/HU cities.
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+
 const TZ = 'Europe/Prague';
 function todayStr() {
   return new Intl.DateTimeFormat('en-CA', {
@@ -55,6 +60,17 @@ function valFor(varName, dayIndex, hour, shift) {
   return 1;
 }
 
+const ENSEMBLE_MEMBERS = 10;
+
+// A fixture with every timestamp shifted by whole days so that its first day
+// (`fromDay`) lands on `toDay` — offsets are kept as recorded.
+function fixture(name, fromDay, toDay) {
+  const text = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const shift = Math.round((Date.parse(toDay) - Date.parse(fromDay)) / 86400000);
+  return JSON.parse(text.replace(/"(\d{4}-\d{2}-\d{2})T/g, (m, d) => `"${addDaysStr(d, shift)}T`));
+}
+const FIXTURE_DAY = '2026-10-12';
+
 function openMeteoPayload(u) {
   const q = u.searchParams;
   const modelsParam = q.get('models');
@@ -64,6 +80,9 @@ function openMeteoPayload(u) {
   }
   const shiftOf = m => (m && MODEL_SHIFT[m] !== undefined) ? MODEL_SHIFT[m] : 0;
   const days = datesFromQuery(q);
+  // Ensemble API: control + ENSEMBLE_MEMBERS perturbed members per model,
+  // fanning out further with lead time.
+  const ensemble = u.hostname.startsWith('ensemble-api');
   const payload = {
     latitude: Number(q.get('latitude')), longitude: Number(q.get('longitude')),
     timezone: q.get('timezone') || 'GMT', utc_offset_seconds: 7200
@@ -73,7 +92,17 @@ function openMeteoPayload(u) {
     days.forEach(d => { for (let h = 0; h < 24; h++) time.push(`${d}T${String(h).padStart(2, '0')}:00`); });
     payload.hourly = { time };
     q.get('hourly').split(',').forEach(v => {
-      if (models && models.length > 1) {
+      if (ensemble) {
+        (models || ['best_match']).forEach(m => {
+          const sfx = models && models.length > 1 ? `_${m}` : '';
+          for (let k = 0; k <= ENSEMBLE_MEMBERS; k++) {
+            const key = k ? `${v}_member${String(k).padStart(2, '0')}${sfx}` : `${v}${sfx}`;
+            const spread = k ? (k - (ENSEMBLE_MEMBERS + 1) / 2) * 0.25 : 0;
+            payload.hourly[key] = time.map((t, i) =>
+              valFor(v, Math.floor(i / 24), i % 24, shiftOf(m) + spread * (1 + Math.floor(i / 24))));
+          }
+        });
+      } else if (models && models.length > 1) {
         // Real API: several models -> per-model suffixed arrays; a model
         // without coverage (metno) contributes no array at all.
         models.forEach(m => {
@@ -81,7 +110,11 @@ function openMeteoPayload(u) {
           payload.hourly[`${v}_${m}`] = time.map((t, i) => valFor(v, Math.floor(i / 24), i % 24, shiftOf(m)));
         });
       } else {
-        payload.hourly[v] = time.map((t, i) => valFor(v, Math.floor(i / 24), i % 24, shiftOf(models ? models[0] : null)));
+        // Older runs (_previous_dayN) drift a little further off per day of
+        // lead, so revisions and the evolution chart have something to show.
+        const lead = /_previous_day(\d+)$/.exec(v);
+        const drift = lead ? Number(lead[1]) * 0.3 : 0;
+        payload.hourly[v] = time.map((t, i) => valFor(v, Math.floor(i / 24), i % 24, shiftOf(models ? models[0] : null) + drift));
       }
     });
   }
@@ -106,33 +139,57 @@ function openMeteoPayload(u) {
   return { status: 200, body: payload };
 }
 
+// A few real geocoder answers so the city registry's coordinate check can be
+// exercised; any other name gets the real API's "no results" shape.
+const GEOCODE = {
+  Prague:   { latitude: 50.088, longitude: 14.421, country_code: 'CZ', timezone: 'Europe/Prague' },
+  Brno:     { latitude: 49.195, longitude: 16.608, country_code: 'CZ', timezone: 'Europe/Prague' },
+  Zlin:     { latitude: 49.227, longitude: 17.667, country_code: 'CZ', timezone: 'Europe/Prague' },
+  Szeged:   { latitude: 46.253, longitude: 20.148, country_code: 'HU', timezone: 'Europe/Budapest' },
+  Vienna:   { latitude: 48.208, longitude: 16.372, country_code: 'AT', timezone: 'Europe/Vienna' },
+};
+
 let mockCallCount = 0;
 process.on('SIGTERM', () => {
   console.log(`[mock-fetch] total upstream calls: ${mockCallCount}`);
   process.exit(0);
 });
 
-global.fetch = async (url) => {
-  mockCallCount++;
+// MOCK_FAIL="previous-runs-api@49.8,ensemble-api" answers HTTP 503 for hosts
+// starting with each prefix (optionally only where latitude starts with the
+// part after @), so upstream-failure paths can be watched end to end.
+const MOCK_FAIL = String(process.env.MOCK_FAIL || '').split(',').filter(Boolean)
+  .map(f => { const [host, lat] = f.split('@'); return { host, lat: lat || null }; });
+const mockFails = u => MOCK_FAIL.some(f => u.hostname.startsWith(f.host) &&
+  (!f.lat || String(u.searchParams.get('latitude') || '').startsWith(f.lat)));
+
+// MOCK_DELAY_MS holds every mocked answer back that long, so requests made
+// at the same time (e.g. by two instances) are in flight together.
+const MOCK_DELAY_MS = Number(process.env.MOCK_DELAY_MS) || 0;
+
+const realFetch = global.fetch;
+global.fetch = async (url, opts) => {
   const u = new URL(String(url));
+  // Loopback targets (e.g. the alert webhook stand-in, tests/alert-sink.js)
+  // are real local services — pass them through untouched.
+  if (u.hostname === '127.0.0.1' || u.hostname === 'localhost') return realFetch(url, opts);
+  mockCallCount++;
   let out;
-  if (u.hostname === 'api.met.no') {
-    const t = todayStr();
-    const timeseries = [];
-    for (let h = 0; h < 24; h++) {
-      timeseries.push({
-        time: `${t}T${String(h).padStart(2, '0')}:00:00Z`,
-        data: { instant: { details: { air_temperature: 20 + 0.1 * h } } }
-      });
-    }
-    out = { status: 200, body: { properties: { timeseries } } };
+  if (mockFails(u)) {
+    out = { status: 503, body: { error: true, reason: 'mock failure (MOCK_FAIL)' } };
+  } else if (u.hostname === 'api.met.no') {
+    out = { status: 200, body: fixture('metno-compact.json', FIXTURE_DAY, todayStr()) };
+  } else if (u.hostname === 'api.brightsky.dev') {
+    out = { status: 200, body: fixture('brightsky-weather.json', FIXTURE_DAY, u.searchParams.get('date') || todayStr()) };
   } else if (u.hostname === 'geocoding-api.open-meteo.com') {
-    out = { status: 200, body: { results: [] } };
+    const g = GEOCODE[u.searchParams.get('name')];
+    out = { status: 200, body: { results: g ? [{ name: u.searchParams.get('name'), ...g }] : [] } };
   } else if (u.hostname.endsWith('open-meteo.com')) {
     out = openMeteoPayload(u);
   } else {
     out = { status: 404, body: { error: true, reason: `unmocked host ${u.hostname}` } };
   }
+  if (MOCK_DELAY_MS) await new Promise(r => setTimeout(r, MOCK_DELAY_MS));
   return {
     ok: out.status >= 200 && out.status < 300,
     status: out.status,
@@ -1,4 +1,6 @@
-// Offline unit tests — no network, no database. Run with:  npm test
+// Offline unit tests — no network, no database (the HTTP tests start server.js
+// on mock upstream data; the two-instance test at the end needs
+// TEST_DATABASE_URL and is skipped without it). Run with:  npm test
 // Covers the v1.3.0 additions (History tab helpers, 6-day / 5-row prep)
 // plus the exported pure helpers they build on.
 const test = require('node:test');
@@ -77,6 +79,34 @@ test('buildHistoryTable: no sources -> all-null grid', () => {
   assert.deepEqual(r.sources, []);
 });
 
+test('buildHistoryTable: one column per day for a date range', () => {
+  const days = s.dateRange('2025-07-30', '2025-08-02');
+  assert.deepEqual(days, ['2025-07-30', '2025-07-31', '2025-08-01', '2025-08-02']);
+  const r = s.buildHistoryTable([
+    { id: 'best_match', label: 'Openmeteo', values: { '2025-08-02T23:00': 18 } }
+  ], days, 'openmeteo');
+  assert.equal(r.temps[0].length, 4);
+  assert.equal(r.temps[23][3], 18);
+});
+
+test('planHistoryChunks: month-sized archive requests, one recent request', () => {
+  const cfg = { ...s.HISTORY, CHUNK_DAYS: 31, ARCHIVE_LAG_DAYS: 3 };
+  // A finished year-ago July: archive only, split at 31 days.
+  assert.deepEqual(s.planHistoryChunks('2025-07-01', '2025-08-15', '2026-07-20', cfg), [
+    { kind: 'archive', start: '2025-07-01', end: '2025-07-31' },
+    { kind: 'archive', start: '2025-08-01', end: '2025-08-15' }
+  ]);
+  // Straddling the archive lag: archive up to today-4, then past_days/forecast_days.
+  assert.deepEqual(s.planHistoryChunks('2026-07-10', '2026-07-25', '2026-07-20', cfg), [
+    { kind: 'archive', start: '2026-07-10', end: '2026-07-16' },
+    { kind: 'recent', start: '2026-07-17', end: '2026-07-25', pastDays: 3, forecastDays: 6 }
+  ]);
+  // Entirely recent.
+  assert.deepEqual(s.planHistoryChunks('2026-07-19', '2026-07-19', '2026-07-20', cfg), [
+    { kind: 'recent', start: '2026-07-19', end: '2026-07-19', pastDays: 1, forecastDays: 1 }
+  ]);
+});
+
 // ---- weather payload parsing + median helpers --------------------------------
 
 test('parseWeatherPayload: maps hours to day series incl. previous-run forecast', () => {
@@ -91,6 +121,28 @@ test('parseWeatherPayload: maps hours to day series incl. previous-run forecast'
   assert.equal(r.tomorrow.temps[5], null);
 });
 
+test('parseWeatherPayload / parseWeatherVariable: other variables, same structure', () => {
+  const today = s.getDateString(0);
+  const mk = h => `${today}T${String(h).padStart(2, '0')}:00`;
+  const data = { hourly: { time: [mk(3)], cloud_cover: [80], temperature_2m: [5] } };
+  const prev = { hourly: { time: [mk(3)], cloud_cover_previous_day1: [60] } };
+  const r = s.parseWeatherPayload(data, prev, 'cloud_cover');
+  assert.equal(r.today.temps[3], 80);
+  assert.equal(r.todayForecast.temps[3], 60);
+  assert.equal(r.variable, 'cloud_cover');
+  assert.equal(r.unit, '%');
+  assert.deepEqual(s.computeRevisions(r).today, null);   // one hour: too little overlap
+  assert.equal(s.exportWeatherRows(r).columns[2], 'cloud_cover_pct');
+  assert.equal(s.exportRevisionRows(r).columns[4], 'revision_pct');
+
+  assert.deepEqual(s.parseWeatherVariable({}), { variable: 'temperature_2m' });
+  assert.deepEqual(s.parseWeatherVariable({ variable: 'precipitation', source: 'median' }), { variable: 'precipitation' });
+  assert.match(s.parseWeatherVariable({ variable: 'snow_depth' }).error, /variable must be one of/);
+  assert.match(s.parseWeatherVariable({ variable: 'cloud_cover', source: 'blend' }).error, /only available for temperature_2m/);
+  assert.equal(s.weatherCacheKey('Brno'), 'Brno');
+  assert.equal(s.weatherCacheKey('Brno', 'dew_point_2m'), 'Brno|dew_point_2m');
+});
+
 test('medianSeries: per-timestamp median on the first grid, junk ignored', () => {
   const a = { time: ['t1', 't2', 't3'], values: [10, 20, 30] };
   const b = { time: ['t1', 't2'], values: [14, null] };
@@ -102,8 +154,8 @@ test('medianSeries: per-timestamp median on the first grid, junk ignored', () =>
   assert.equal(m.values[2], 30);   // only one real value
 });
 
-test('MEDIAN_MODELS matches the History source list', () => {
-  assert.deepEqual(s.MEDIAN_MODELS, s.HISTORY.SOURCES.map(x => x.id));
+test('MEDIAN_SOURCES matches the History source list', () => {
+  assert.deepEqual(s.MEDIAN_SOURCES, s.HISTORY.SOURCES);
 });
 
 test('HISTORY config lists the five sources with coverage here', () => {
@@ -155,3 +207,1126 @@ test('parsePreparation: missing hours stay null (never invented)', () => {
   assert.equal(d0.temp.h12, null);
   assert.equal(d0.temp.h20, null);
 });
+
+// ---- city registry ------------------------------------------------------------
+
+test('normalizeCityInput: validates and fills group/tz from the geocoder', () => {
+  const geo = { lat: 49.2, lon: 16.6, countryCode: 'CZ', timezone: 'Europe/Prague' };
+  const { city } = s.normalizeCityInput({ name: ' Zlin ', lat: '49.2265', lon: 17.6707 }, null, geo);
+  assert.deepEqual(city, { name: 'Zlin', lat: 49.2265, lon: 17.6707, group: 'CZ', tz: 'Europe/Prague' });
+  // No geocoder: Other + app timezone.
+  assert.equal(s.normalizeCityInput({ name: 'Wien', lat: 48.2, lon: 16.37 }).city.group, 'Other');
+  assert.equal(s.normalizeCityInput({ name: 'Wien', lat: 48.2, lon: 16.37 }).city.tz, s.APP_TIMEZONE);
+  assert.match(s.normalizeCityInput({ name: 'X', lat: 91, lon: 0 }).error, /lat/);
+  assert.match(s.normalizeCityInput({ name: 'X', lat: 1, lon: 'abc' }).error, /lon/);
+  assert.match(s.normalizeCityInput({ name: '<script>', lat: 1, lon: 1 }).error, /name/);
+  assert.match(s.normalizeCityInput({ name: 'X', lat: 1, lon: 1, group: 'SK' }).error, /group/);
+  assert.match(s.normalizeCityInput({ name: 'X', lat: 1, lon: 1, tz: 'Mars/Base' }).error, /timezone/);
+});
+
+test('normalizeCityInput: PUT keeps the name and unspecified fields', () => {
+  const existing = { name: 'Brno', lat: 49.19, lon: 16.61, group: 'CZ', tz: 'Europe/Prague' };
+  const { city } = s.normalizeCityInput({ name: 'Renamed', lat: 49.2 }, existing);
+  assert.deepEqual(city, { ...existing, lat: 49.2 });
+});
+
+test('checkCityCoordinates: haversine limit, geocoder outage is a skip', () => {
+  const city = { name: 'Brno', lat: 49.19, lon: 16.61 };
+  assert.equal(s.checkCityCoordinates(city, { lat: 49.195, lon: 16.608 }).ok, true);
+  const far = s.checkCityCoordinates(city, { lat: 50.08, lon: 14.42 });
+  assert.equal(far.ok, false);
+  assert.ok(far.distanceKm > 150);
+  assert.deepEqual(s.checkCityCoordinates(city, null), { ok: true, skipped: true, distanceKm: null });
+});
+
+test('DEFAULT_CITIES: every seed city has a valid group and timezone', () => {
+  for (const c of s.DEFAULT_CITIES) {
+    assert.ok(s.CITY_GROUPS.includes(c.group), c.name);
+    assert.equal(s.isValidTimezone(c.tz), true, c.name);
+  }
+  assert.equal(s.cityTz({ name: 'Budapest' }), 'Europe/Budapest');
+  assert.equal(s.cityTz({ name: 'Nowhere' }), s.APP_TIMEZONE);
+});
+
+// ---- observation archive ----------------------------------------------------
+
+test('archiveRows: one row per non-null hour, previous-run series suffixed', () => {
+  const temps = Array(24).fill(null); temps[3] = 11; temps[4] = 12;
+  const data = {
+    today: { date: '2026-07-10', temps },
+    todayForecast: { date: '2026-07-10', temps: temps.map(v => v === null ? null : v + 1) },
+    pastDaysAvg: { date: 'avg', temps },             // derived, never archived
+    updatedAt: '2026-07-10T06:00:00.000Z'
+  };
+  const rows = s.archiveRows(data, 'median');
+  assert.equal(rows.length, 4);
+  // Prague summer time (UTC+2) hours stored as UTC
+  assert.deepEqual(rows[0], { source: 'median', validTime: '2026-07-10T01:00', temperature: 11 });
+  assert.deepEqual(rows[3], { source: 'median_previous_day1', validTime: '2026-07-10T02:00', temperature: 13 });
+  assert.equal(s.archiveRows(data, 'median', 'Europe/London')[0].validTime, '2026-07-10T02:00');
+});
+
+test('localArchiveValues: UTC hours back to one city\'s wall clock, range applied there', () => {
+  const utc = {
+    values: { '2026-07-09T22:00': 8, '2026-07-10T01:00': 11, '2026-07-10T23:00': 9 },
+    issued: { '2026-07-09T22:00': 'a', '2026-07-10T01:00': 'b', '2026-07-10T23:00': 'c' }
+  };
+  const prague = s.localArchiveValues(utc, 'Europe/Prague', '2026-07-10', '2026-07-10');
+  assert.deepEqual(prague.values, { '2026-07-10T00:00': 8, '2026-07-10T03:00': 11 });
+  assert.equal(prague.issued['2026-07-10T03:00'], 'b');
+  const london = s.localArchiveValues(utc, 'Europe/London', '2026-07-10', '2026-07-10');
+  assert.deepEqual(london.values, { '2026-07-10T02:00': 11 });
+});
+
+test('latestArchiveValues: latest issue wins, asOf rewinds, range is inclusive', () => {
+  const rows = [
+    { validTime: '2026-07-10T03:00', issuedAt: '2026-07-08T06:00:00Z', temperature: 15 },
+    { validTime: '2026-07-10T03:00', issuedAt: '2026-07-09T06:00:00Z', temperature: 13 },
+    { validTime: '2026-07-11T00:00', issuedAt: '2026-07-09T06:00:00Z', temperature: 9 },
+    { validTime: '2026-07-12T00:00', issuedAt: '2026-07-09T06:00:00Z', temperature: 7 },
+  ];
+  const r = s.latestArchiveValues(rows, '2026-07-10', '2026-07-11');
+  assert.deepEqual(r.values, { '2026-07-10T03:00': 13, '2026-07-11T00:00': 9 });
+  assert.equal(r.issued['2026-07-10T03:00'], '2026-07-09T06:00:00Z');
+  const early = s.latestArchiveValues(rows, '2026-07-10', '2026-07-10', '2026-07-08T12:00:00Z');
+  assert.deepEqual(early.values, { '2026-07-10T03:00': 15 });
+});
+
+// ---- forecast skill ----------------------------------------------------------
+
+test('scoreSkill: MAE/bias/RMSE per model and lead, truth source skipped at D+0', () => {
+  const truth = { '2026-07-01T00:00': 10, '2026-07-01T01:00': 12, '2026-07-01T02:00': null };
+  const forecasts = {
+    best_match:   { 0: { '2026-07-01T00:00': 10, '2026-07-01T01:00': 12 }, 1: { '2026-07-01T00:00': 11, '2026-07-01T01:00': 13 } },
+    ecmwf_ifs025: { 0: { '2026-07-01T00:00': 9, '2026-07-01T01:00': 15 }, 1: { '2026-07-01T00:00': 10 } },
+  };
+  const { models, best } = s.scoreSkill(truth, forecasts);
+  assert.deepEqual(models.map(m => m.id), ['best_match', 'ecmwf_ifs025']);
+  const [bm, ec] = models;
+  assert.equal(bm.leads['D+0'], null);                    // would be ~0 by construction
+  assert.deepEqual(bm.leads['D+1'], { n: 2, mae: 1, bias: 1, rmse: 1 });
+  assert.deepEqual(ec.leads['D+0'], { n: 2, mae: 2, bias: 1, rmse: 2.24 });
+  assert.deepEqual(ec.leads['D+1'], { n: 1, mae: 0, bias: 0, rmse: 0 });
+  assert.equal(ec.leads['D+2'], null);
+  assert.equal(best['D+0'].id, 'ecmwf_ifs025');
+  assert.equal(best['D+1'].id, 'ecmwf_ifs025');
+  assert.equal(best['D+2'], null);
+});
+
+// ---- bias-corrected blend ----------------------------------------------------
+
+test('blendWeights: inverse-MAE weights per lead, floors, unscored + borrowed leads', () => {
+  const skill = { models: [
+    { id: 'best_match',   leads: { 'D+0': null, 'D+1': { n: 100, mae: 1, bias: 0.5 }, 'D+2': { n: 100, mae: 2, bias: 1 } } },
+    { id: 'ecmwf_ifs025', leads: { 'D+0': { n: 100, mae: 0.1, bias: -2 }, 'D+1': { n: 100, mae: 0.5, bias: 0 }, 'D+2': { n: 10, mae: 0.5, bias: 0 } } },
+  ] };
+  const w = s.blendWeights(skill, ['best_match', 'ecmwf_ifs025', 'gfs_seamless']);
+  // D+0: best_match borrows its D+1 score; ECMWF's 0.1 is floored to MIN_MAE.
+  assert.equal(w['D+0'].best_match.mae, 1);
+  assert.equal(w['D+0'].best_match.bias, 0.5);
+  assert.equal(w['D+0'].ecmwf_ifs025.mae, s.BLEND.MIN_MAE);
+  assert.equal(w['D+0'].gfs_seamless.scored, false);
+  assert.equal(w['D+0'].gfs_seamless.mae, s.BLEND.DEFAULT_MAE);
+  // D+2: too few ECMWF hours -> unscored, no correction.
+  assert.equal(w['D+2'].ecmwf_ifs025.scored, false);
+  assert.equal(w['D+2'].ecmwf_ifs025.bias, 0);
+  for (const lead of ['D+0', 'D+1', 'D+2']) {
+    const total = Object.values(w[lead]).reduce((a, x) => a + x.weight, 0);
+    assert.ok(Math.abs(total - 1) < 0.01);
+  }
+  // No skill at all -> equal weights (plain mean).
+  const eq = s.blendWeights(null, ['a', 'b']);
+  assert.equal(eq['D+1'].a.weight, 0.5);
+});
+
+test('blendValue / leadForDate: de-bias, renormalise over present models', () => {
+  const lw = { a: { weight: 0.75, bias: 1 }, b: { weight: 0.25, bias: -1 } };
+  assert.equal(s.blendValue([{ id: 'a', v: 11 }, { id: 'b', v: 9 }], lw), 10);
+  assert.equal(s.blendValue([{ id: 'a', v: null }, { id: 'b', v: 9 }], lw), 10);
+  assert.equal(s.blendValue([{ id: 'x', v: 5 }], lw), null);
+  assert.equal(s.leadForDate('2026-07-01', '2026-07-05'), 0);
+  assert.equal(s.leadForDate('2026-07-06', '2026-07-05'), 1);
+  assert.equal(s.leadForDate('2026-07-20', '2026-07-05'), 2);
+  assert.equal(s.leadForDate('2026-07-06', '2026-07-05', 1), 2);
+});
+
+test('buildHistoryTable: blend mode uses the lead weights per cell', () => {
+  const days = s.isoWeekDates(2026, 28);
+  const key = `${days[0]}T00:00`;
+  const perSource = [
+    { id: 'a', label: 'A', values: { [key]: 12 } },
+    { id: 'b', label: 'B', values: { [key]: 8 } },
+  ];
+  const lw = { a: { weight: 0.5, bias: 2 }, b: { weight: 0.5, bias: 0 } };
+  const blend = { today: days[6], weights: { 'D+0': lw, 'D+1': lw, 'D+2': lw } };
+  const { temps, sources } = s.buildHistoryTable(perSource, days, 'blend', blend);
+  assert.equal(temps[0][0], 9);
+  assert.equal(sources.length, 2);
+});
+
+// ---- alerts --------------------------------------------------------------------
+
+test('normalizeAlertRule: defaults, validation, PUT merge', () => {
+  const { rule } = s.normalizeAlertRule({
+    name: 'Prague revision', kind: 'revision_peak', city: 'Prague',
+    channels: [{ type: 'webhook', url: 'https://hooks.example.com/desk' }]
+  });
+  assert.equal(rule.threshold, 1.5);
+  assert.equal(rule.day, 'tomorrow');
+  assert.equal(rule.cooldownMinutes, s.ALERTS.DEFAULT_COOLDOWN_MIN);
+  assert.equal(rule.enabled, true);
+  assert.match(s.normalizeAlertRule({ ...rule, kind: 'nope' }).error, /kind/);
+  assert.match(s.normalizeAlertRule({ ...rule, city: 'Atlantis' }).error, /city/);
+  assert.match(s.normalizeAlertRule({ ...rule, channels: [] }).error, /channel/);
+  assert.match(s.normalizeAlertRule({ ...rule, channels: [{ type: 'email', to: 'nobody' }] }).error, /channels/);
+  assert.match(s.normalizeAlertRule({ name: 'x', kind: 'market_risk', country: 'CZ', channels: rule.channels }).error, /match/);
+  const put = s.normalizeAlertRule({ threshold: 2 }, { ...rule, id: 'abc' }).rule;
+  assert.equal(put.id, 'abc');
+  assert.equal(put.threshold, 2);
+  assert.equal(put.city, 'Prague');
+});
+
+test('webhookUrlError / isPrivateAddress: local and private hosts refused unless allowed', () => {
+  const sink = { ...s.normalizeAlertRule({ name: 'x', kind: 'data_check', city: 'Prague',
+    channels: [{ type: 'webhook', url: 'https://hooks.example.com/desk' }] }).rule };
+  for (const url of ['http://127.0.0.1:3125/hook', 'http://localhost/x', 'http://169.254.169.254/latest',
+                     'http://10.1.2.3/', 'http://192.168.0.10/', 'http://[::1]/', 'http://[fd00::1]/', 'http://2130706433/']) {
+    assert.match(s.webhookUrlError(url, []), /local or private/, url);
+    assert.match(s.normalizeAlertRule({ ...sink, channels: [{ type: 'webhook', url }] }, null, []).error, /private/);
+  }
+  assert.equal(s.webhookUrlError('http://127.0.0.1:3125/hook', ['127.0.0.1']), null);
+  assert.equal(s.webhookUrlError('https://hooks.example.com/desk', []), null);
+  assert.equal(s.isPrivateAddress('172.32.0.1'), false);
+  assert.equal(s.isPrivateAddress('::ffff:10.0.0.1'), true);
+  assert.equal(s.isPrivateAddress('8.8.8.8'), false);
+  // IPv6 spellings of private IPv4 addresses
+  for (const url of ['http://[::ffff:7f00:1]/', 'http://[::ffff:a9fe:a9fe]/', 'http://[::7f00:1]/',
+                     'http://[64:ff9b::a00:1]/', 'http://[0:0:0:0:0:ffff:192.168.1.1]/']) {
+    assert.match(s.webhookUrlError(url, []), /local or private/, url);
+  }
+  assert.equal(s.embeddedIPv4('::ffff:7f00:1'), '127.0.0.1');
+  assert.equal(s.embeddedIPv4('64:ff9b::808:808'), '8.8.8.8');
+  assert.equal(s.embeddedIPv4('2001:db8::1'), null);
+  assert.equal(s.isPrivateAddress('64:ff9b::808:808'), false);
+  assert.equal(s.isPrivateAddress('2606:4700::1111'), false);
+});
+
+test('evaluateAlertRule: each kind against its existing output', () => {
+  const rev = s.evaluateAlertRule({ kind: 'revision_peak', city: 'Prague', day: 'tomorrow', threshold: 1.5 },
+    { tomorrow: { peakAvg: -2.1 }, date: '2026-07-08' });
+  assert.equal(rev.triggered, true);
+  assert.equal(rev.key, 'tomorrow|2026-07-08|down');
+  assert.equal(s.evaluateAlertRule({ kind: 'revision_peak', city: 'Prague', day: 'tomorrow', threshold: 1.5 },
+    { tomorrow: { peakAvg: 1.5 } }).triggered, false);
+
+  const brief = { name: 'Czechia', days: [
+    { date: '2026-07-06', context: true, risks: ['⛈ Thunderstorms (Brno)'] },
+    { date: '2026-07-07', risks: ['🔥 Heat 31°'] },
+    { date: '2026-07-08', risks: ['⛈ Thunderstorms (Prague)'] },
+  ] };
+  const risk = s.evaluateAlertRule({ kind: 'market_risk', country: 'CZ', match: 'thunderstorm' }, brief);
+  assert.equal(risk.triggered, true);
+  assert.equal(risk.key, '2026-07-08');               // the context day is ignored
+
+  const dc = s.evaluateAlertRule({ kind: 'data_check', city: 'Prague' },
+    { status: 'warning', checks: [{ name: 'Plausible range', pass: false, detail: 'x' }, { name: 'ERA5', pass: true }] });
+  assert.equal(dc.key, 'Plausible range');
+  assert.equal(s.evaluateAlertRule({ kind: 'data_check', city: 'Prague' }, { status: 'ok', checks: [] }).triggered, false);
+
+  const gust = s.evaluateAlertRule({ kind: 'live_gust', city: 'Prague', threshold: 60 },
+    { time: '2026-07-07T14:00', wind: { gust: 75 } });
+  assert.equal(gust.triggered, true);
+  assert.equal(s.evaluateAlertRule({ kind: 'live_gust', city: 'Prague', threshold: 60 }, null).triggered, false);
+});
+
+test('decideAlert: fires on entry, de-duplicates, honours cool-down', () => {
+  const hit = k => ({ triggered: true, key: k });
+  const t0 = Date.UTC(2026, 6, 7, 12);
+  let d = s.decideAlert(null, hit('a'), t0, 60);
+  assert.equal(d.fire, true);
+  d = s.decideAlert(d.state, hit('a'), t0 + 10 * 60000, 60);
+  assert.equal(d.reason, 'duplicate');
+  d = s.decideAlert(d.state, hit('b'), t0 + 20 * 60000, 60);   // new finding, still cooling down
+  assert.equal(d.reason, 'cooldown');
+  d = s.decideAlert(d.state, hit('b'), t0 + 61 * 60000, 60);
+  assert.equal(d.fire, true);
+  d = s.decideAlert(d.state, { triggered: false }, t0 + 62 * 60000, 60);
+  assert.equal(d.state.active, false);
+  d = s.decideAlert(d.state, hit('b'), t0 + 200 * 60000, 60);  // re-entered after clearing
+  assert.equal(d.fire, true);
+});
+
+// ---- export --------------------------------------------------------------------
+
+test('zonedTimestamp: offset of the wall-clock time, DST-aware', () => {
+  assert.equal(s.zonedTimestamp('2026-07-07T14:00', 'Europe/Prague'), '2026-07-07T14:00+02:00');
+  assert.equal(s.zonedTimestamp('2026-01-07T14:00', 'Europe/Prague'), '2026-01-07T14:00+01:00');
+  assert.equal(s.zonedTimestamp('2026-01-07T14:00', 'UTC'), '2026-01-07T14:00+00:00');
+});
+
+test('export flatteners: consistent columns from the tab builders', () => {
+  const days = s.isoWeekDates(2026, 28);
+  const table = s.buildHistoryTable([{ id: 'best_match', label: 'Open-Meteo', values: { [`${days[0]}T05:00`]: 12.5 } }], days, 'openmeteo');
+  const hist = s.exportHistoryRows({ ...table, days, source: 'openmeteo', cutoff: { date: days[0], hour: 5 } }, 'Europe/Prague');
+  assert.deepEqual(hist.columns, ['time', 'temperature_c', 'is_forecast', 'source']);
+  assert.equal(hist.rows.length, 7 * 24);
+  assert.deepEqual(hist.rows[5], ['2026-07-06T05:00+02:00', 12.5, false, 'openmeteo']);
+  assert.equal(hist.rows[6][2], true);                 // after the cutoff
+
+  const brief = s.buildMarketBrief('CZ', [{ city: 'Prague', weight: 1, days: [
+    { date: '2026-07-06', dd: { hdd: 0, cdd: 2 }, tmax: 31, tmin: 18, radSum: 25, solarIdx: 0.8, windMean: 10, windIdx: 0.1, gustMax: 30, stormy: true },
+    { date: '2026-07-07', dd: { hdd: 0, cdd: 1 }, tmax: 28, tmin: 16, radSum: 20, solarIdx: 0.6, windMean: 20, windIdx: 0.3, gustMax: 40 },
+  ] }]);
+  const market = s.exportMarketRows(brief);
+  assert.equal(market.columns.length, market.rows[0].length);
+  assert.equal(market.rows[0][market.columns.indexOf('temp_max_c')], 31);
+  assert.match(market.rows[0][market.columns.indexOf('risks')], /Thunderstorms/);
+
+  const data = { today: { date: '2026-07-07', temps: Array(24).fill(20) },
+                 todayForecast: { date: '2026-07-07', temps: Array(24).fill(18.5) } };
+  const rev = s.exportRevisionRows(data);
+  assert.deepEqual(rev.rows[0], ['2026-07-07T00:00+02:00', 'today', 20, 18.5, 1.5]);
+  assert.equal(s.exportWeatherRows(data).rows.length, 48);
+});
+
+test('toCsv / toXlsx: writers', async () => {
+  const csv = s.toCsv(['a', 'b'], [[1, 'x,"y"'], [null, 'ok']]);
+  assert.equal(csv, '\uFEFFa,b\r\n1,"x,""y"""\r\n,ok\r\n');
+  const xlsx = await s.toXlsx(['time', 'temperature_c', 'gust'],
+    [['2026-07-07T00:00+02:00', 20.5, NaN], ['2026-07-07T01:00+02:00', 19, true]], 'weather Brno/cz');
+  const book = new (require('exceljs').Workbook)();
+  await book.xlsx.load(xlsx);
+  const sheet = book.worksheets[0];
+  assert.equal(sheet.name, 'weather Brno_cz');
+  assert.deepEqual(sheet.getRow(1).values.slice(1), ['time', 'temperature_c', 'gust']);
+  assert.equal(sheet.getCell('B2').value, 20.5);                    // numbers stay numeric
+  assert.equal(sheet.getCell('C2').value, null);                    // NaN left empty
+  assert.equal(sheet.getCell('C3').value, true);
+});
+
+// ---- climatology ----------------------------------------------------------------
+
+test('parseClimatePeriod: explicit period or the last 10 complete years', () => {
+  assert.deepEqual(s.parseClimatePeriod('1991-2020', 2026), { start: 1991, end: 2020, label: '1991–2020' });
+  assert.deepEqual(s.parseClimatePeriod(undefined, 2026), { start: 2016, end: 2025, label: '2016–2025' });
+  assert.equal(s.parseClimatePeriod('2020-2026', 2026).label, '2016–2025'); // current year incomplete
+});
+
+test('buildNormals: per-hour mean over the ±window, wrapping the new year', () => {
+  const time = ['2024-01-01T12:00', '2025-01-01T12:00', '2024-12-31T12:00', '2024-02-29T03:00'];
+  const n = s.buildNormals(time, [2, 4, 9, -1], { WINDOW_DAYS: 0 });
+  assert.equal(n['01-01'][12], 3);
+  assert.equal(n['01-01'][13], null);
+  assert.equal(n['02-29'][3], -1);
+  const w = s.buildNormals(time, [2, 4, 9, -1], { WINDOW_DAYS: 1 });
+  assert.equal(w['01-01'][12], 5);     // (2 + 4 + 9) / 3, Dec 31 is a neighbour
+  assert.equal(w['03-01'][3], -1);     // leap day feeds its neighbours
+});
+
+test('withAnomalies: normal + anomaly next to every dated series, copy only', () => {
+  const normals = { '07-06': Array(24).fill(18), '07-07': Array(24).fill(20) };
+  const data = { today: { date: '2026-07-07', temps: [23.5, null, ...Array(22).fill(20)] },
+                 threeDaysAgo: { date: '2026-07-06', temps: Array(24).fill(17) },
+                 pastDaysAvg: { date: 'avg', temps: Array(24).fill(17) },
+                 updatedAt: 'x' };
+  const r = s.withAnomalies(data, normals, { period: '2016–2025' });
+  assert.equal(r.today.anomaly[0], 3.5);
+  assert.equal(r.today.anomaly[1], null);
+  assert.equal(r.today.normal[0], 20);
+  assert.equal(r.pastDaysAvg.normal[0], 18);
+  assert.equal(r.pastDaysAvg.anomaly[0], -1);
+  assert.equal(r.climate.period, '2016–2025');
+  assert.equal(r.updatedAt, 'x');
+  assert.equal(data.today.anomaly, undefined);
+});
+
+// ---- degree-day accumulation ------------------------------------------------------
+
+test('shiftYear / seasonStart: leap days and season boundaries', () => {
+  assert.equal(s.shiftYear('2024-02-29', -1), '2023-02-28');
+  assert.equal(s.shiftYear('2025-02-28', -1), '2024-02-28');
+  assert.equal(s.shiftYear('2026-07-15', -1), '2025-07-15');
+  assert.equal(s.seasonStart('2026-10-19', '10-01'), '2026-10-01');
+  assert.equal(s.seasonStart('2026-03-10', '10-01'), '2025-10-01');
+  assert.equal(s.seasonStart('2026-04-01', '04-01'), '2026-04-01');
+});
+
+test('weightedDegreeDays / accumulateDegreeDays / sumDegreeDays', () => {
+  const dates = ['2026-01-01', '2026-01-02', '2026-01-03'];
+  const ext = { '2026-01-01': { tmax: 4, tmin: -2 }, '2026-01-03': { tmax: 20, tmin: 10 } };
+  const series = s.weightedDegreeDays([
+    { weight: 3, extremes: d => ext[d] || null },              // mean 1 -> HDD 17; mean 15 -> HDD 3
+    { weight: 1, extremes: d => ({ tmax: 10, tmin: 6 }) }       // mean 8 -> HDD 10 every day
+  ], dates);
+  assert.deepEqual(series[0], { date: '2026-01-01', hdd: 15.3, cdd: 0 }); // (17*3 + 10) / 4
+  assert.deepEqual(series[1], { date: '2026-01-02', hdd: 10, cdd: 0 });   // only the second city
+  const none = s.weightedDegreeDays([{ weight: 1, extremes: () => null }], dates);
+  assert.equal(none[0].hdd, null);
+
+  const cum = s.accumulateDegreeDays([none[0], ...series]);
+  assert.equal(cum[0].cumHdd, 0);
+  assert.equal(cum[3].cumHdd, +(15.3 + 10 + series[2].hdd).toFixed(1));
+  assert.deepEqual(s.sumDegreeDays(series, '2026-01-02', '2026-01-03'), { hdd: +(10 + series[2].hdd).toFixed(1), cdd: 0, days: 2 });
+  assert.equal(s.sumDegreeDays(none, '2026-01-01', '2026-01-03'), null);
+});
+
+// ---- PV estimate ------------------------------------------------------------------
+
+test('solarPosition: Prague at solstice noon and midnight', () => {
+  const noon = s.solarPosition(Date.parse('2026-06-21T11:02:00Z'), 50.08, 14.42);
+  assert.ok(Math.abs(noon.zenith - 26.6) < 0.5);        // 90 − (50.08 − 23.44)
+  assert.ok(Math.abs(noon.azimuth - 180) < 3);
+  assert.ok(s.solarPosition(Date.parse('2026-06-21T23:00:00Z'), 50.08, 14.42).zenith > 90);
+});
+
+test('planeOfArray / pvOutputPerMw: tilt gain, night, heat derating, clipping', () => {
+  const t = Date.parse('2026-12-21T11:00:00Z');
+  const pos = s.solarPosition(t, 50.08, 14.42);
+  assert.ok(s.planeOfArray(250, pos, t) > 250);           // low winter sun: tilted panels gain
+  assert.equal(s.planeOfArray(0, pos, t), 0);
+  assert.equal(s.planeOfArray(100, { zenith: 95, azimuth: 0 }, t), 0);
+  assert.ok(s.pvOutputPerMw(800, 35) < s.pvOutputPerMw(800, 5)); // hot cells yield less
+  assert.equal(s.pvOutputPerMw(2000, -20), 1 / s.PV.DC_AC_RATIO);
+  assert.equal(s.pvOutputPerMw(0, 20), 0);
+});
+
+test('sumHourlyMw / scaleToCapacity / parseCapacityEnv', () => {
+  const parts = [
+    { city: 'A', mw: 100, hours: [{ time: '2026-07-07T12:00', mw: 60 }, { time: '2026-07-07T13:00', mw: 50 }] },
+    { city: 'B', mw: 100, hours: [{ time: '2026-07-07T12:00', mw: 40 }, { time: '2026-07-07T13:00', mw: null }] }
+  ];
+  const r = s.sumHourlyMw(parts, 200);
+  assert.deepEqual(r.hours[0], { time: '2026-07-07T12:00', mw: 100, capacityFactor: 50 });
+  assert.deepEqual(r.days[0], { label: 'Yesterday', date: '2026-07-07', mwh: 150, peakMw: 100, peakHour: '12:00', hours: 2 });
+  assert.equal(s.scaleToCapacity([parts[0]], 200)[0].hours[0].mw, 120);
+  assert.deepEqual(s.parseCapacityEnv('Prague=1200, Brno = 1400.5,bad,Plzen=x'), { Prague: 1200, Brno: 1400.5 });
+  assert.equal(s.pvRegions('CZ', { Prague: 1 }).find(x => x.city === 'Prague').mw, 1);
+});
+
+// ---- wind estimate ----------------------------------------------------------------
+
+test('powerCurveAt / hubSpeed: interpolation, cut-out, shear clamp', () => {
+  const c = s.WIND_FLEET.CLASSES.modern;
+  assert.equal(s.powerCurveAt(c.curve, c.cutOut, 2), 0);
+  assert.equal(s.powerCurveAt(c.curve, c.cutOut, 8.5), 0.49);
+  assert.equal(s.powerCurveAt(c.curve, c.cutOut, 20), 1);
+  assert.equal(s.powerCurveAt(c.curve, c.cutOut, 25), 0);
+  assert.equal(s.powerCurveAt(c.curve, c.cutOut, null), null);
+  assert.equal(s.hubSpeed(5, 10, 120), 10);
+  const alpha = Math.log(2) / Math.log(12);
+  assert.ok(Math.abs(s.hubSpeed(5, 10, 150) - 10 * 1.25 ** alpha) < 1e-9);
+  assert.ok(Math.abs(s.hubSpeed(9.9, 10, 150) - 10 * 1.25 ** 0.05) < 1e-9);   // clamped to SHEAR_MIN
+  assert.ok(Math.abs(s.hubSpeed(null, 10, 80) - 10 * (80 / 120) ** 0.14) < 1e-9);
+});
+
+test('windRegionHourly: classes summed with losses, cut-out flagged per hour', () => {
+  const raw = { hourly: { time: ['2026-01-10T03:00', '2026-01-10T04:00', '2026-01-10T05:00'],
+                          wind_speed_10m: [20, 60, 20], wind_speed_120m: [36, 90, null] } };   // km/h
+  const region = { city: 'X', mw: { modern: 100, lowWind: 50 } };
+  const r = s.windRegionHourly(raw, region);
+  const v150 = s.hubSpeed(20 / 3.6, 10, 150);
+  const expected = (100 * s.powerCurveAt(s.WIND_FLEET.CLASSES.modern.curve, 25, 10) +
+                    50 * s.powerCurveAt(s.WIND_FLEET.CLASSES.lowWind.curve, 22, v150)) * s.WIND_FLEET.LOSSES;
+  assert.ok(Math.abs(r[0].mw - expected) < 1e-9);
+  assert.deepEqual(r[0].cutOut, []);
+  assert.deepEqual(r[1].cutOut, ['modern', 'lowWind']);  // 25 m/s at 120 m, more at 150 m
+  assert.equal(r[1].mw, 0);
+  assert.equal(r[2].mw, null);
+  assert.deepEqual(s.parseFleetEnv('Plzen.modern=250,Brno.legacy=5,bad'), { Plzen: { modern: 250 }, Brno: { legacy: 5 } });
+  assert.equal(s.windRegions('CZ', { Plzen: { modern: 1, bogus: 9 } }).find(x => x.city === 'Plzen').mw.bogus, undefined);
+});
+
+// ---- residual load ----------------------------------------------------------------
+
+test('demandHourly: degree-day level, profile shape, weekend factor', () => {
+  const country = { BASE_MW: 6000, HEAT_MW_PER_HDD: 100, COOL_MW_PER_CDD: 50 };
+  const cfg = { ...s.DEMAND, PROFILE: Array(24).fill(1) };
+  // 2026-01-14 is a Wednesday, 2026-01-17 a Saturday
+  const d = s.demandHourly(['2026-01-14T12:00', '2026-01-17T12:00', '2026-01-18T12:00'],
+    { '2026-01-14': { hdd: 10, cdd: 0 }, '2026-01-17': { hdd: 10, cdd: 0 } }, country, cfg);
+  assert.equal(d[0].mw, 7000);
+  assert.ok(Math.abs(d[1].mw - 7000 * cfg.WEEKEND_FACTOR) < 1e-9);
+  assert.equal(d[2].mw, null);
+  const shaped = s.demandHourly(['2026-01-14T03:00', '2026-01-14T10:00'], { '2026-01-14': { hdd: 0, cdd: 0 } }, country);
+  assert.ok(shaped[0].mw < 6000 && shaped[1].mw > 6000);
+});
+
+test('buildResidual / residualHeadline / withResidualHeadlines', () => {
+  const times = ['2026-01-14T11:00', '2026-01-14T12:00', '2026-01-15T11:00', '2026-01-15T12:00'];
+  const demand = times.map((time, i) => ({ time, mw: i < 2 ? 8000 : 8200 }));
+  const pv = [{ time: times[0], mw: 1000 }, { time: times[1], mw: 1200 }, { time: times[2], mw: 200 }];
+  const wind = times.map(time => ({ time, mw: 100 }));
+  const r = s.buildResidual(demand, pv, wind, '2026-01-15');
+  assert.deepEqual(r.hours.map(x => x.residualMw), [6900, 6700, 7900, 8100]);
+  assert.deepEqual(r.days.map(d => d.label), ['Yesterday', 'Today']);
+  // Labels come from the dates, not the position: a day missing in front shifts nothing.
+  assert.deepEqual(s.buildResidual(demand.slice(2), [], [], '2026-01-14').days.map(d => d.label), ['Tomorrow']);
+  assert.equal(s.marketDayLabel('2026-01-18', '2026-01-14'), 'D+4');
+  assert.equal(s.marketDayLabel('2026-01-11', '2026-01-14'), 'D-3');
+  assert.equal(r.days[0].residualMwh, 13600);
+  assert.equal(r.days[1].peakMw, 8100);
+  assert.equal(r.days[1].peakHour, '12:00');
+  assert.equal(r.days[0].minHour, '12:00');
+
+  const t = s.residualHeadline(r.days[1], r.days[0]);
+  assert.equal(t.headline, 'Residual load 8.0 GW avg (+1.2 GW vs yesterday): solar −1.0, wind +0.0, demand +0.2 GW.');
+  assert.match(t.net, /^Tighter residual load \(\+17\.6 %\) — peak 8\.1 GW at 12:00\.$/);
+  assert.equal(s.residualHeadline(r.days[0], null), null);
+
+  const brief = { days: [{ date: '2026-01-14', headline: '' }, { date: '2026-01-15', headline: 'old', net: 'old' },
+                         { date: '2026-01-16', headline: 'index', net: 'index' }] };
+  const out = s.withResidualHeadlines(brief, r.days);
+  assert.equal(out.headlineSource, 'residual');
+  assert.equal(out.days[0].headline, '');
+  assert.equal(out.days[0].residual.residualMwh, 13600);
+  assert.equal(out.days[1].headline, t.headline);
+  assert.equal(out.days[2].headline, 'index');
+  assert.equal(brief.days[1].headline, 'old');
+});
+
+// ---- ensemble -----------------------------------------------------------------------
+
+test('percentileOf / ensembleMembers: interpolation and key formats', () => {
+  assert.equal(s.percentileOf([1, 2, 3, 4, 5], 50), 3);
+  assert.ok(Math.abs(s.percentileOf([0, 10], 10) - 1) < 1e-9);
+  assert.equal(s.percentileOf([], 50), null);
+  const raw = { hourly: { time: [], temperature_2m_icon_seamless: [], temperature_2m_member01_icon_seamless: [],
+                          temperature_2m_member01_gfs_seamless: [], temperature_2m_member01_unknown_model: [],
+                          apparent_temperature_member01_icon_seamless: [] } };
+  const m = s.ensembleMembers(raw, 'temperature_2m', ['icon_seamless', 'gfs_seamless']);
+  assert.deepEqual(m.map(x => `${x.model}/${x.member}`).sort(),
+    ['gfs_seamless/member01', 'icon_seamless/control', 'icon_seamless/member01']);
+  const single = s.ensembleMembers({ hourly: { temperature_2m: [], temperature_2m_member03: [] } }, 'temperature_2m', ['icon_seamless']);
+  assert.deepEqual(single.map(x => x.member), ['control', 'member03']);
+});
+
+test('parseEnsemble: pooled P10/P50/P90 per hour, sparse hours null', () => {
+  const time = ['2026-03-02T00:00', '2026-03-02T01:00', '2026-03-03T00:00'];
+  const hourly = { time };
+  for (let k = 0; k <= 10; k++) {
+    hourly[k ? `temperature_2m_member${String(k).padStart(2, '0')}_icon_seamless` : 'temperature_2m_icon_seamless'] =
+      [k, k === 0 ? 5 : null, 100 + k];
+  }
+  const cfg = { ...s.ENSEMBLE, MODELS: ['icon_seamless'] };
+  const e = s.parseEnsemble({ hourly }, 'temperature_2m', { tomorrow: '2026-03-02', dayAfterTomorrow: '2026-03-03', other: '2026-03-04' }, cfg);
+  assert.deepEqual(e.members, { icon_seamless: 11 });
+  assert.equal(e.tomorrow.p10[0], 1);
+  assert.equal(e.tomorrow.p50[0], 5);
+  assert.equal(e.tomorrow.p90[0], 9);
+  assert.equal(e.tomorrow.n[1], 1);
+  assert.equal(e.tomorrow.p50[1], null);
+  assert.equal(e.dayAfterTomorrow.p90[0], 109);
+  assert.equal(e.other, null);
+});
+
+// ---- forecast evolution -------------------------------------------------------------
+
+test('buildEvolution: one curve per run, scored vs archive or same-day run', () => {
+  const date = '2026-03-02';
+  const time = Array.from({ length: 24 }, (_, h) => `${date}T${String(h).padStart(2, '0')}:00`).concat('2026-03-03T00:00');
+  const flat = v => Array(25).fill(v);
+  const hourly = { time, temperature_2m: flat(10), temperature_2m_previous_day1: flat(11),
+                   temperature_2m_previous_day3: flat(7), temperature_2m_previous_day5: flat(null) };
+  const past = s.buildEvolution({ hourly }, date, 'temperature_2m', { past: true });
+  assert.deepEqual(past.runs.map(r => r.lead), [3, 1, 0]);          // oldest first, empty run dropped
+  assert.equal(past.runs[0].label, '3 days out');
+  assert.equal(past.actual.source, 'same-day run');
+  assert.deepEqual(past.runs.map(r => r.bias), [-3, 1, null]);     // same-day run not scored vs itself
+  const archived = Array(24).fill(9);
+  const arch = s.buildEvolution({ hourly }, date, 'temperature_2m', { archived, past: true });
+  assert.equal(arch.actual.source, 'archive');
+  assert.deepEqual(arch.runs.map(r => r.mae), [2, 2, 1]);
+  const sparse = s.buildEvolution({ hourly }, date, 'temperature_2m', { archived: [9, 9, 9], past: false });
+  assert.equal(sparse.actual, null);                                // too few archived hours, future day
+  assert.equal(sparse.runs[0].mae, null);
+});
+
+// ---- live updates (SSE) -------------------------------------------------------------
+
+test('formatSse / eventsSince / largeRevisions / liveCities', () => {
+  assert.equal(s.formatSse(3, 'refresh', { a: 1 }), 'id: 3\nevent: refresh\ndata: {"a":1}\n\n');
+  const backlog = [{ id: 4 }, { id: 5 }, { id: 6 }];
+  assert.deepEqual(s.eventsSince(backlog, '4').map(e => e.id), [5, 6]);
+  assert.deepEqual(s.eventsSince(backlog, undefined), []);           // fresh connection: nothing replayed
+  const rev = { today: { avg: 0.4, peakAvg: 0.6, max: 1, maxHour: 14 },
+                tomorrow: { avg: -1.2, peakAvg: -1.8, max: -2.5, maxHour: 15 } };
+  assert.deepEqual(s.largeRevisions(rev, 1.5), [{ day: 'tomorrow', value: -1.8, avg: -1.2, max: -2.5, maxHour: 15 }]);
+  assert.deepEqual(s.largeRevisions({ today: { avg: 2, peakAvg: null }, tomorrow: null }, 1.5).map(r => r.value), [2]);
+  assert.deepEqual(s.largeRevisions(null), []);
+  assert.deepEqual(s.liveCities(s.DEFAULT_CITIES).map(c => c.name), ['Prague', 'Brno', 'Budapest', 'Debrecen']);
+  assert.deepEqual(s.liveCities([{ name: 'Szeged', group: 'HU' }, { name: 'Plzen', group: 'CZ' }]).map(c => c.name),
+                   ['Plzen', 'Szeged']);
+});
+
+// ---- jobs ---------------------------------------------------------------------------
+
+test('cityOutcome / summarizeJob: per-city status rolls up into the job', () => {
+  const okUp = { forecast: { ok: true }, 'previous-runs': { ok: true } };
+  const prevFailed = { forecast: { ok: true }, 'previous-runs': { ok: false, error: 'timeout' } };
+  assert.equal(s.cityOutcome({ upstreams: okUp }, true), 'ok');
+  assert.equal(s.cityOutcome({ upstreams: prevFailed }, true), 'partial');
+  assert.equal(s.cityOutcome({ upstreams: okUp }, false), 'failed');
+
+  const partial = s.summarizeJob({ Prague: { status: 'ok', attempts: 1 }, Ostrava: { status: 'partial', attempts: 3 } });
+  assert.equal(partial.status, 'partial');
+  assert.deepEqual(partial.summary, { cities: 2, ok: 1, partial: 1, failed: 0, retries: 2 });
+  assert.equal(s.summarizeJob({ Prague: { status: 'ok', attempts: 1 } }).status, 'succeeded');
+  assert.equal(s.summarizeJob({ Prague: { status: 'failed', attempts: 3 } }).status, 'failed');
+  assert.equal(s.summarizeJob({ Prague: { status: 'ok', attempts: 1 } }, 'boom').status, 'failed');
+  assert.equal(s.summarizeJob({}).status, 'failed');
+});
+
+// ---- upstream budget ----------------------------------------------------------------
+
+test('createBuckets / bucketWait / takeTokens: windows, refill and reserve', () => {
+  const b = s.createBuckets({ minute: 60, hour: 100 }, 0);
+  assert.equal(s.bucketWait(b, 1, 0, 0), 0);
+  s.takeTokens(b, 60, 0);
+  assert.equal(s.bucketWait(b, 1, 0, 0), 1000);          // minute bucket refills 1 token/s
+  assert.equal(s.bucketWait(b, 1, 0, 1000), 0);
+  // 40 left in the hour bucket (refill negligible): a 0.5 reserve keeps 50 back.
+  const h = s.createBuckets({ hour: 100 }, 0);
+  s.takeTokens(h, 60, 0);
+  assert.equal(s.bucketWait(h, 1, 0, 0), 0);
+  assert.ok(s.bucketWait(h, 1, 0.5, 0) > 60 * 1000);
+  assert.equal(s.bucketWait(h, 120, 0, 0), Infinity);      // more than the window ever holds
+});
+
+test('spendWindows: a new instance starts with what the others left', () => {
+  const b = s.createBuckets({ minute: 60, hour: 100 }, 0);
+  s.spendWindows(b, { minute: 10, hour: 90 }, 0);
+  assert.equal(b.minute.tokens, 50);
+  assert.equal(b.hour.tokens, 10);
+  assert.ok(s.bucketWait(b, 20, 0, 0) > 0);                 // the hour budget is nearly gone
+  s.spendWindows(b, { minute: 0, hour: 0 }, 0);             // never adds tokens
+  assert.equal(b.hour.tokens, 10);
+});
+
+test('requestWeight / parseLimitsEnv', () => {
+  assert.equal(s.requestWeight('https://api.open-meteo.com/v1/forecast?hourly=temperature_2m&past_days=8&forecast_days=3'), 1);
+  assert.equal(s.requestWeight('https://api.open-meteo.com/v1/forecast?hourly=a,b,c,d,e,f,g,h,i,j,k,l,m,n,o&forecast_days=7'), 1.5);
+  assert.equal(s.requestWeight('https://archive-api.open-meteo.com/v1/archive?hourly=temperature_2m&start_date=2026-01-01&end_date=2026-01-28'), 2);
+  assert.deepEqual(s.parseLimitsEnv('1000, 20000, 100000', null), { minute: 1000, hour: 20000, day: 100000 });
+  assert.deepEqual(s.parseLimitsEnv('1000,oops', { minute: 1 }), { minute: 1 });
+});
+
+test('tFetch: identical in-flight GETs share one upstream call', async () => {
+  const realFetch = global.fetch;
+  let calls = 0;
+  global.fetch = async () => {
+    calls++;
+    await new Promise(r => setTimeout(r, 20));
+    return { ok: true, status: 200, text: async () => '{"v":1}' };
+  };
+  try {
+    const url = 'https://api.open-meteo.com/v1/forecast?latitude=1&longitude=2&hourly=temperature_2m&coalesce=test';
+    const [a, b] = await Promise.all([s.tFetch(url), s.withUpstreamPriority('live', () => s.tFetch(url))]);
+    assert.equal(calls, 1);
+    assert.deepEqual(await a.json(), { v: 1 });
+    assert.deepEqual(await b.json(), { v: 1 });
+    await s.tFetch(url);                                        // no longer in flight: a new call
+    assert.equal(calls, 2);
+  } finally {
+    global.fetch = realFetch;
+  }
+});
+
+test('joinJob: a joining caller raises the priority and never shortens the wait', () => {
+  const job = { priority: 'browse', deadline: 1000 + s.UPSTREAM.MAX_WAIT_MS.browse };
+  assert.equal(s.joinJob(job, 'live', 1000), true);
+  assert.deepEqual(job, { priority: 'live', deadline: 1000 + s.UPSTREAM.MAX_WAIT_MS.live });
+  assert.equal(s.joinJob(job, 'browse', 2000), false);        // lower priority, shorter wait: unchanged
+  assert.equal(job.priority, 'live');
+  assert.equal(s.joinJob(job, 'refresh', 2000), true);
+  assert.deepEqual(job, { priority: 'refresh', deadline: 2000 + s.UPSTREAM.MAX_WAIT_MS.refresh });
+});
+
+// ---- weather providers -------------------------------------------------------
+
+const fixture = name => JSON.parse(require('fs').readFileSync(require('path').join(__dirname, 'fixtures', name), 'utf8'));
+
+test('normalizeMetno: UTC timeseries onto local hours, 6-hourly tail kept', () => {
+  const m = s.normalizeMetno(fixture('metno-compact.json'), 'air_temperature', 'Europe/Prague');
+  assert.equal(m.time.length, 64);
+  assert.equal(m.time[0], '2026-10-12T02:00');             // 00:00Z, CEST
+  assert.equal(m.values[0], 6.1);
+  assert.equal(m.time[63], '2026-10-15T08:00');
+  assert.equal(s.normalizeMetno(fixture('metno-compact.json'), 'dew_point_temperature', 'Europe/Prague'), null);
+});
+
+test('normalizeBrightSky: all records, or MOSMIX-only', () => {
+  const raw = fixture('brightsky-weather.json');
+  const all = s.normalizeBrightSky(raw, 'temperature', 'Europe/Prague');
+  assert.equal(all.time.length, 49);
+  assert.equal(all.time[0], '2026-10-12T00:00');
+  const mosmix = s.normalizeBrightSky(raw, 'temperature', 'Europe/Prague', true);
+  assert.equal(mosmix.time[0], '2026-10-12T14:00');         // earlier hours are station obs
+  assert.equal(mosmix.time.length, 35);
+  assert.equal(s.normalizeBrightSky({ weather: [] }, 'temperature', 'Europe/Prague'), null);
+});
+
+test('parseSeriesFile: CSV rows per city, JSON in Open-Meteo shape', () => {
+  const csv = 'time;city;temperature_2m\n2026-10-12T00:00;Brno;7.5\n2026-10-12 01:00;Brno;7.1\n' +
+              '2026-10-12T00:00;Prague;6.0\n2026-10-12T00:00:00Z;Brno;\n';
+  assert.deepEqual(s.parseSeriesFile(csv, { city: 'Brno', variable: 'temperature_2m', tz: 'Europe/Prague' }),
+    { time: ['2026-10-12T00:00', '2026-10-12T01:00'], values: [7.5, 7.1] });
+  const json = JSON.stringify({ Brno: { hourly: { time: ['2026-10-11T22:00Z'], temperature_2m: [8] } } });
+  assert.deepEqual(s.parseSeriesFile(json, { city: 'Brno', variable: 'temperature_2m', tz: 'Europe/Prague' }),
+    { time: ['2026-10-12T00:00'], values: [8] });
+  assert.equal(s.parseSeriesFile('time,value\n', { city: 'Brno', variable: 'cloud_cover', tz: 'Europe/Prague' }), null);
+});
+
+test('parseSourcesEnv: provider:model|label pairs, Open-Meteo ids unchanged', () => {
+  assert.deepEqual(s.parseSourcesEnv('openmeteo:icon_seamless, brightsky:dwd|DWD, nope:x, file:obs.csv'), [
+    { provider: 'openmeteo', model: 'icon_seamless', id: 'icon_seamless', label: 'DWD ICON' },
+    { provider: 'brightsky', model: 'dwd', id: 'brightsky:dwd', label: 'DWD' },
+    { provider: 'file', model: 'obs.csv', id: 'file:obs.csv', label: 'obs.csv' }
+  ]);
+});
+
+test('fetchSources: one Open-Meteo call for its models, fixtures for the rest', async () => {
+  const realFetch = global.fetch;
+  const hosts = [];
+  global.fetch = async url => {
+    const u = new URL(url);
+    hosts.push(u.hostname);
+    let body;
+    if (u.hostname === 'api.brightsky.dev') body = fixture('brightsky-weather.json');
+    else {
+      const time = ['2026-10-12T00:00', '2026-10-12T01:00'];
+      body = { hourly: { time, temperature_2m_best_match: [5, 6], temperature_2m_icon_seamless: [5.5, 6.5] } };
+    }
+    return { ok: true, status: 200, text: async () => JSON.stringify(body), json: async () => body };
+  };
+  try {
+    const pairs = s.parseSourcesEnv('openmeteo:best_match,metno:compact,brightsky:mosmix,openmeteo:icon_seamless,openmeteo:gfs_seamless');
+    const out = await s.fetchSources({ name: 'Prague', lat: 50.09, lon: 14.42 }, pairs,
+      { variable: 'temperature_2m', tz: 'Europe/Prague', start: '2026-10-12', end: '2026-10-13' });
+    // MET Norway has no history -> not asked for a past range; GFS had no array.
+    assert.deepEqual(hosts.sort(), ['api.brightsky.dev', 'api.open-meteo.com']);
+    assert.deepEqual(out.map(x => x.id), ['best_match', 'brightsky:mosmix', 'icon_seamless']);
+    assert.equal(out[1].time[0], '2026-10-12T14:00');
+  } finally {
+    global.fetch = realFetch;
+  }
+});
+
+// ---- station observations -----------------------------------------------------
+
+test('parseStationCsv: DWD layout, leading zeros, -999 missing, full hours only', () => {
+  const text = [
+    'STATIONS_ID;MESS_DATUM;QN_9;TT_TU;RF_TU;eor',
+    '   433;2026101205;    3;   7.4;  91.0;eor',
+    '   433;2026101206;    3;-999.0;  90.0;eor',
+    '   433;202610120630;  3;   8.0;  90.0;eor',
+    '   433;2026101207;    3;   9,1;  88.0;eor',
+  ].join('\n');
+  const out = s.parseStationCsv(text);
+  assert.deepEqual(out.stations, []);
+  assert.deepEqual(out.readings, [
+    { station: '433', time: '2026-10-12T05:00Z', temperature: 7.4 },
+    { station: '433', time: '2026-10-12T07:00Z', temperature: 9.1 },
+  ]);
+});
+
+test('parseStationCsv: metadata rows register stations, later rows win', () => {
+  const text = 'station,name,lat,lon\n433,Berlin-Tempelhof old,52.40,13.40\n433,Berlin-Tempelhof,52.4675,13.4021\n';
+  assert.deepEqual(s.parseStationCsv(text).stations,
+    [{ id: '433', name: 'Berlin-Tempelhof', lat: 52.4675, lon: 13.4021 }]);
+  assert.equal(s.parseObsTime('2026-10-12 06:00'), '2026-10-12T06:00Z');
+  assert.equal(s.parseObsTime('2026-10-12T08:00+02:00'), '2026-10-12T06:00Z');
+  assert.equal(s.parseObsTime('2026-10-12T06:10Z'), null);
+});
+
+test('parseSynop: 1SnTTT per station, 00fff skipped, NIL ignored, month from ref', () => {
+  const text = 'SMCZ01 OKPR 120600\nAAXX 12061\n11520 32970 80303 11025 21047 333 10050=\n' +
+               '11518 32970 89999 00105 10123=\n11723 NIL=';
+  const out = s.parseStationFile(text, new Date('2026-10-19T00:00Z'));
+  assert.deepEqual(out.readings, [
+    { station: '11520', time: '2026-10-12T06:00Z', temperature: -2.5 },
+    { station: '11518', time: '2026-10-12T06:00Z', temperature: 12.3 },
+  ]);
+  // A day after the reference day belongs to the previous month.
+  assert.equal(s.parseSynop(text, new Date('2026-11-03T00:00Z')).readings[0].time, '2026-10-12T06:00Z');
+});
+
+test('dedupeReadings: one reading per station and hour, the corrected (later) one wins', () => {
+  const r = (station, time, temperature) => ({ station, time, temperature });
+  assert.deepEqual(s.dedupeReadings([
+    r('11520', '2026-10-12T06:00Z', 2.5), r('11518', '2026-10-12T06:00Z', 12.3),
+    r('11520', '2026-10-12T06:00Z', 3), r('11520', '2026-10-12T07:00Z', 3.4)
+  ]), [r('11520', '2026-10-12T06:00Z', 3), r('11518', '2026-10-12T06:00Z', 12.3), r('11520', '2026-10-12T07:00Z', 3.4)]);
+});
+
+test('matchStation: nearest with data in range, override wins, none too far', () => {
+  const prague = { name: 'Prague', lat: 50.0755, lon: 14.4378 };
+  const stations = [
+    { id: '11518', name: 'Ruzyně', lat: 50.1003, lon: 14.2555, count: 10 },
+    { id: '11520', name: 'Libuš', lat: 50.0078, lon: 14.4469, count: 10 },
+    { id: '11999', name: 'Nearer, no data', lat: 50.0755, lon: 14.4379, count: 0 },
+    { id: '11723', name: 'Brno', lat: 49.1529, lon: 16.6888, count: 10 },
+  ];
+  assert.deepEqual(s.matchStation(prague, stations), { id: '11520', name: 'Libuš', distanceKm: 7.6 });
+  assert.equal(s.matchStation(prague, stations, { Prague: '11518' }).id, '11518');
+  assert.equal(s.matchStation(prague, stations, { Prague: '11999' }).id, '11520');
+  assert.equal(s.matchStation(prague, stations.slice(3)), null);
+  assert.deepEqual(s.parseCityStationsEnv('Prague=11518, Brno = 11723,bad'), { Prague: '11518', Brno: '11723' });
+});
+
+test('observedTable: observed matrix next to the History table, off-by-more-than-limit flagged', () => {
+  const temps = Array.from({ length: 24 }, () => [10, 10]);
+  const values = { '2026-10-12T03:00': 10.5, '2026-10-13T03:00': 14 };
+  const { temps: obs, flags } = s.observedTable(values, ['2026-10-12', '2026-10-13'], temps, 3);
+  assert.deepEqual(obs[3], [10.5, 14]);
+  assert.deepEqual(obs[4], [null, null]);
+  assert.deepEqual(flags, [[3, 1]]);
+});
+
+test('runDataChecks: station check compares shown hours, lists disagreements, skips without a station', () => {
+  const city = { name: 'Prague', lat: 50.09, lon: 14.42 };
+  const data = { yesterday: { date: '2026-10-18', temps: Array(24).fill(10) } };
+  const observed = { station: { id: '11520', name: 'Praha-Libuš', distanceKm: 7.6 },
+                     values: { '2026-10-18T05:00': 11, '2026-10-18T06:00': 14.5 } };
+  const check = s.runDataChecks(city, data, null, null, observed).checks.at(-1);
+  assert.equal(check.name, 'Matches station observations');
+  assert.equal(check.pass, false);                         // mean 2.75 > OBS_MAE_LIMIT
+  assert.deepEqual(check.disagreements, [{ time: '2026-10-18T06:00', model: 10, observed: 14.5 }]);
+  const none = s.runDataChecks(city, data, null, null, null).checks.at(-1);
+  assert.equal(none.skipped, true);
+});
+
+// ---- accounts and roles ---------------------------------------------------------
+
+test('roleAllows / lowerRole: viewer < trader < admin, unknown roles allow nothing', () => {
+  assert.equal(s.roleAllows('admin', 'trader'), true);
+  assert.equal(s.roleAllows('trader', 'trader'), true);
+  assert.equal(s.roleAllows('viewer', 'trader'), false);
+  assert.equal(s.roleAllows('root', 'viewer'), false);
+  assert.equal(s.lowerRole('admin', 'viewer'), 'viewer');
+  assert.equal(s.lowerRole('trader', 'admin'), 'trader');
+});
+
+test('hashPassword / verifyPassword: salted scrypt, wrong password and junk rejected', async () => {
+  const a = await s.hashPassword('correct horse');
+  const b = await s.hashPassword('correct horse');
+  assert.match(a, /^scrypt\$16384\$8\$1\$/);
+  assert.notEqual(a, b);                                   // fresh salt each time
+  assert.equal(await s.verifyPassword('correct horse', a), true);
+  assert.equal(await s.verifyPassword('correct horsE', a), false);
+  assert.equal(await s.verifyPassword('correct horse', 'md5$abc'), false);
+  assert.equal(s.hashToken('wct_x').length, 64);
+});
+
+test('parseCookies + normalizeAccountInput', () => {
+  assert.deepEqual(s.parseCookies('a=1; wc_session=wct_abc%3D; junk'), { a: '1', wc_session: 'wct_abc=' });
+  assert.deepEqual(s.parseCookies(undefined), {});
+  assert.match(s.normalizeAccountInput({ name: 'x', role: 'viewer', password: 'long enough pw' }).error, /name/);
+  assert.match(s.normalizeAccountInput({ name: 'eva', role: 'boss', password: 'long enough pw' }).error, /role/);
+  assert.match(s.normalizeAccountInput({ name: 'eva', role: 'viewer', password: 'short' }).error, /password/);
+  assert.deepEqual(s.normalizeAccountInput({ name: 'eva', role: 'trader', password: 'long enough pw' }).account,
+    { name: 'eva', role: 'trader', password: 'long enough pw' });
+  // An update keeps what it leaves out; the name cannot change.
+  assert.deepEqual(s.normalizeAccountInput({ name: 'other', role: 'admin' }, { name: 'eva', role: 'trader' }).account,
+    { name: 'eva', role: 'admin' });
+});
+
+test('isLockedOut: MAX_FAILURES within the window, old failures pruned', () => {
+  const cfg = { MAX_FAILURES: 3, LOCKOUT_MINUTES: 15 };
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const failures = [now - 20 * 60000, now - 60000, now - 30000];
+  assert.equal(s.isLockedOut(failures, now, cfg), false);
+  assert.equal(failures.length, 2);
+  failures.push(now);
+  assert.equal(s.isLockedOut(failures, now, cfg), true);
+});
+
+test('loginLocked / noteLoginFailure: per name and per address, real account or not', () => {
+  const cfg = { MAX_FAILURES: 3, MAX_IP_FAILURES: 5, LOCKOUT_MINUTES: 15, MAX_FAILURE_KEYS: 6 };
+  const now = Date.parse('2026-10-19T12:00:00Z');
+  const failures = new Map();
+  for (let i = 0; i < 3; i++) s.noteLoginFailure(failures, 'nobody', '10.0.0.1', now, cfg);
+  assert.equal(s.loginLocked(failures, 'nobody', '10.0.0.9', now, cfg), true);     // the name, from anywhere
+  assert.equal(s.loginLocked(failures, 'admin', '10.0.0.1', now, cfg), false);
+  s.noteLoginFailure(failures, 'a', '10.0.0.1', now, cfg);
+  s.noteLoginFailure(failures, 'b', '10.0.0.1', now, cfg);
+  assert.equal(s.loginLocked(failures, 'admin', '10.0.0.1', now, cfg), true);      // the address, any name
+  assert.equal(s.loginLocked(failures, 'admin', '10.0.0.1', now + 16 * 60000, cfg), false);
+  // Bounded: stale entries go first, then the longest-tracked.
+  for (const n of ['c', 'd', 'e', 'f']) s.noteLoginFailure(failures, n, '10.0.0.2', now + 20 * 60000, cfg);
+  assert.ok(failures.size <= cfg.MAX_FAILURE_KEYS);
+  assert.equal(failures.has('name:nobody'), false);
+  assert.equal(failures.has('name:f'), true);
+});
+
+// server.js as its own process on mock upstream data (tests/mock-fetch.js),
+// on a port the OS picks; resolves { child, log, url } once it listens.
+const freePort = () => new Promise((resolve, reject) => {
+  const probe = require('net').createServer().listen(0, '127.0.0.1', () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  }).on('error', reject);
+});
+async function bootServer(env) {
+  const { spawn } = require('child_process');
+  const port = await freePort();
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['--require', './tests/mock-fetch.js', 'server.js'], {
+      cwd: require('path').join(__dirname, '..'),
+      env: { ...process.env, ADMIN_PASSWORD: 'supersecret1', CACHE_DIR: '', ...env, PORT: String(port) }
+    });
+    const proc = { child, log: '', url: `http://127.0.0.1:${port}` };
+    child.stdout.on('data', d => {
+      proc.log += d;
+      if (proc.log.includes('Weather app running')) resolve(proc);
+    });
+    child.stderr.on('data', d => { proc.log += d; });
+    child.on('exit', code => reject(new Error(`server exited (${code}):\n${proc.log}`)));
+  });
+}
+async function stopServer({ child }) {
+  child.removeAllListeners('exit');
+  if (child.exitCode !== null) return;
+  child.kill('SIGTERM');
+  await new Promise(r => child.once('exit', r));
+}
+// Sign in; returns request headers carrying the session cookie.
+async function signIn(url, username, password) {
+  const r = await fetch(`${url}/api/auth/login`, {
+    method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify({ username, password })
+  });
+  assert.equal(r.status, 200, `login as ${username}`);
+  return { cookie: r.headers.get('set-cookie').split(';')[0] };
+}
+
+test('routes: the role gates and sign-in requirement over HTTP', { timeout: 60 * 1000 }, async () => {
+  const srv = await bootServer({ DATABASE_URL: '' });
+  try {
+    const call = (route, method = 'GET', headers = {}, body) => fetch(`${srv.url}${route}`, {
+      method, headers: { 'content-type': 'application/json', ...headers }, body: body && JSON.stringify(body)
+    }).then(r => r.status);
+    const admin = await signIn(srv.url, 'admin', 'supersecret1');
+    for (const role of ['trader', 'viewer']) {
+      assert.equal(await call('/api/users', 'POST', admin, { name: role, role, password: 'long enough pw' }), 201);
+    }
+    const trader = await signIn(srv.url, 'trader', 'long enough pw');
+    const viewer = await signIn(srv.url, 'viewer', 'long enough pw');
+    const city = { name: 'Gate Test', lat: 50, lon: 14, country: 'CZ', tz: 'Europe/Prague' };
+
+    assert.equal(await call('/api/cities', 'POST', trader, city), 403);
+    assert.equal(await call('/api/cities', 'POST', viewer, city), 403);
+    assert.equal(await call('/api/fetch', 'POST', viewer), 403);
+    assert.equal(await call('/api/views'), 401);
+    assert.equal(await call('/api/views', 'POST', {}, { name: 'x', state: {} }), 401);
+    assert.equal(await call('/api/prefs'), 401);
+    assert.equal(await call('/api/prefs', 'PUT', {}, { state: {} }), 401);
+    assert.equal(await call('/api/prefs', 'GET', viewer), 200);
+  } finally {
+    await stopServer(srv);
+  }
+});
+
+// ---- saved views ------------------------------------------------------------------
+
+test('normalizeViewState: known fields kept, junk and invalid values dropped', () => {
+  const { state } = s.normalizeViewState({
+    tab: 'history', left: ' Prague ', right: 'Budapest', source: 'median', variable: 'nope',
+    hidden: { left: ['Today', 'Today', 7, 'Tomorrow'], right: 'x' },
+    table: { city: 'Czechia', decimals: 3 },
+    history: { city: 'Brno', source: 'blend', decimals: 1, mode: 'range', start: '2026-07-31', end: '2026-07-01', compare: true },
+    extra: { a: 1 }
+  });
+  assert.deepEqual(state, {
+    tab: 'history', left: 'Prague', right: 'Budapest', source: 'median',
+    hidden: { left: ['Today', 'Tomorrow'], right: [] },
+    table: { city: 'Czechia' },
+    history: { city: 'Brno', source: 'blend', decimals: 1, mode: 'range', compare: true }   // start > end: range dropped
+  });
+  assert.match(s.normalizeViewState([]).error, /object/);
+  assert.match(s.normalizeViewState({ source: 'blend', variable: 'cloud_cover' }).error, /temperature-only/);
+});
+
+test('normalizeViewInput: name required, update keeps name / sharing / state', () => {
+  assert.match(s.normalizeViewInput({ state: {} }).error, /name/);
+  assert.match(s.normalizeViewInput({ name: 'Desk', shared: 'yes', state: {} }).error, /shared/);
+  assert.deepEqual(s.normalizeViewInput({ name: ' Morning CZ desk ', state: { left: 'Prague' } }).view,
+    { name: 'Morning CZ desk', shared: false, state: { left: 'Prague' } });
+  const existing = { name: 'Desk', shared: true, state: { tab: 'table' } };
+  assert.deepEqual(s.normalizeViewInput({ name: 'Desk 2' }, existing).view,
+    { name: 'Desk 2', shared: true, state: { tab: 'table' } });
+  assert.deepEqual(s.normalizeViewInput({ shared: false, state: { tab: 'live' } }, existing).view,
+    { name: 'Desk', shared: false, state: { tab: 'live' } });
+});
+
+// ---- health and metrics -------------------------------------------------------------
+
+test('formatMetrics: counters with escaped labels, cumulative histogram buckets, empty metrics left out', () => {
+  const reg = s.createRegistry({
+    up_total: { type: 'counter', help: 'Calls.' },
+    lat_seconds: { type: 'histogram', help: 'Latency.' },
+    unused_total: { type: 'counter', help: 'Never touched.' },
+  });
+  s.countMetric(reg, 'up_total', { host: 'api.met.no', status: '200' });
+  s.countMetric(reg, 'up_total', { status: '200', host: 'api.met.no' }, 2);    // label order doesn't matter
+  s.countMetric(reg, 'up_total', { host: 'a"b\\c' });
+  s.observeMetric(reg, 'lat_seconds', { host: 'x' }, 0.2, [0.1, 0.5, 1]);
+  s.observeMetric(reg, 'lat_seconds', { host: 'x' }, 0.7, [0.1, 0.5, 1]);
+  assert.equal(s.formatMetrics(reg), [
+    '# HELP up_total Calls.',
+    '# TYPE up_total counter',
+    'up_total{host="api.met.no",status="200"} 3',
+    'up_total{host="a\\"b\\\\c"} 1',
+    '# HELP lat_seconds Latency.',
+    '# TYPE lat_seconds histogram',
+    'lat_seconds_bucket{host="x",le="0.1"} 0',
+    'lat_seconds_bucket{host="x",le="0.5"} 1',
+    'lat_seconds_bucket{host="x",le="1"} 2',
+    'lat_seconds_bucket{host="x",le="+Inf"} 2',
+    'lat_seconds_sum{host="x"} 0.9',
+    'lat_seconds_count{host="x"} 2',
+    ''
+  ].join('\n'));
+});
+
+test('cacheAges: { ts } and { updatedAt } entries, empty store', () => {
+  const now = Date.parse('2026-01-10T12:00:00Z');
+  assert.deepEqual(s.cacheAges({}, now), { entries: 0, newestAgeS: null, oldestAgeS: null });
+  assert.deepEqual(s.cacheAges({
+    a: { result: 1, ts: now - 5000 },
+    b: { data: 1, updatedAt: new Date(now - 60000) },
+    c: { data: 1, updatedAt: '2026-01-10T11:00:00Z' }
+  }, now), { entries: 3, newestAgeS: 5, oldestAgeS: 3600 });
+});
+
+// ---- persistent caches ----------------------------------------------------------------
+
+test('cacheState: fresh, stale-while-revalidate window, expired, miss', () => {
+  const now = 100000;
+  assert.equal(s.cacheState(undefined, 1000, 500, now), 'miss');
+  assert.equal(s.cacheState({ result: 1, ts: now - 999 }, 1000, 500, now), 'fresh');
+  assert.equal(s.cacheState({ result: 1, ts: now - 1200 }, 1000, 500, now), 'stale');
+  assert.equal(s.cacheState({ result: 1, ts: now - 1600 }, 1000, 500, now), 'expired');
+  assert.equal(s.cacheState({ result: 1, ts: now, expired: true }, 1000, 500, now), 'expired');
+  assert.equal(s.cacheState({ data: 1, updatedAt: new Date(now - 10).toISOString() }, 1000, 0, now), 'fresh');
+});
+
+test('diffCacheStore: new, changed and expired entries written; removed and too old ones deleted', () => {
+  const now = 1000000;
+  const store = {
+    same: { result: 1, ts: now - 10 },
+    changed: { result: 2, ts: now - 5 },
+    added: { result: 3, ts: now - 1 },
+    expired: { result: 4, ts: now - 20, expired: true },
+    old: { result: 5, ts: now - 5000 },
+  };
+  const written = new Map([['same', `${now - 10}`], ['changed', `${now - 50}`], ['expired', `${now - 20}`],
+    ['old', `${now - 5000}`], ['gone', `${now - 30}`]]);
+  const { upserts, deletes } = s.diffCacheStore(store, written, 1000, now);
+  assert.deepEqual(upserts.sort(), ['added', 'changed', 'expired']);
+  assert.deepEqual(deletes.sort(), ['gone', 'old']);
+});
+
+test('readThrough: stale served at once and refreshed behind, stale beats a failed refresh', async () => {
+  const store = s.persistentCache('test');
+  let calls = 0;
+  const ok = async () => { calls++; return `v${calls}`; };
+  assert.equal(await s.readThrough('test', 'k', ok, 1000, 1000), 'v1');
+  assert.equal(await s.readThrough('test', 'k', ok, 1000, 1000), 'v1');            // fresh
+  assert.equal(calls, 1);
+
+  store.k.ts -= 1500;                                                              // inside the SWR window
+  assert.equal(await s.readThrough('test', 'k', ok, 1000, 1000), 'v1');
+  await new Promise(r => setImmediate(r));
+  assert.equal(store.k.result, 'v2');
+
+  s.expireCache(store);
+  const failing = async () => { throw new Error('upstream down'); };
+  assert.equal(await s.readThrough('test', 'k', failing, 1000, 1000), 'v2');
+  await assert.rejects(s.readThrough('test', 'other', failing, 1000, 1000), /upstream down/);
+});
+
+// ---- multiple instances -------------------------------------------------------------
+
+test('lockKey: stable signed 64-bit key per name', () => {
+  const key = s.lockKey('weather-scheduler');
+  assert.equal(key, s.lockKey('weather-scheduler'));
+  assert.notEqual(key, s.lockKey('something-else'));
+  const n = BigInt(key);
+  assert.ok(n >= -(2n ** 63n) && n < 2n ** 63n);
+});
+
+test('parseClusterMessage: other instances only, junk ignored', () => {
+  assert.deepEqual(s.parseClusterMessage('{"instance":"b:2","kind":"refresh","jobId":"x"}', 'a:1'),
+    { instance: 'b:2', kind: 'refresh', jobId: 'x' });
+  assert.equal(s.parseClusterMessage('{"instance":"a:1","kind":"refresh"}', 'a:1'), null);
+  assert.equal(s.parseClusterMessage('{"kind":"refresh"}', 'a:1'), null);
+  assert.equal(s.parseClusterMessage('not json', 'a:1'), null);
+});
+
+test('sharedFlight: without a database the fetch simply runs', async () => {
+  let runs = 0;
+  const entry = await s.sharedFlight('test|k', async () => ({ result: ++runs }), async () => assert.fail('no read-back'));
+  assert.deepEqual(entry, { result: 1 });
+});
+
+// Two real instances against TEST_DATABASE_URL (a scratch database: the test
+// clears the live / verify cache rows). Skipped without one; DATABASE_URL is
+// never used here, so running the tests cannot touch a real deployment.
+test('two instances: one leader, refresh expiry and coalesced fetches across them',
+  { skip: !process.env.TEST_DATABASE_URL && 'TEST_DATABASE_URL not set', timeout: 120 * 1000 }, async () => {
+    const { Pool } = require('pg');
+    const db = new Pool({ connectionString: process.env.TEST_DATABASE_URL });
+    await db.query('DELETE FROM cache_entries WHERE cache IN ($1, $2)', ['live', 'verify']).catch(() => {});
+    await db.query('DELETE FROM cache_inflight').catch(() => {});
+    await db.end();
+
+    const started = [];
+    const boot = async id => {
+      const proc = await bootServer({ DATABASE_URL: process.env.TEST_DATABASE_URL, INSTANCE_ID: id, MOCK_DELAY_MS: '300' });
+      started.push(proc);
+      return proc;
+    };
+    const until = async (what, check, ms = 20 * 1000) => {
+      for (const end = Date.now() + ms; Date.now() < end; await new Promise(r => setTimeout(r, 200))) {
+        if (await check()) return;
+      }
+      assert.fail(`timed out waiting for ${what}`);
+    };
+    const metric = async (proc, prefix) => (await (await fetch(`${proc.url}/metrics`)).text()).split('\n')
+      .filter(l => l.startsWith(prefix))
+      .reduce((n, l) => n + Number(l.split(' ').pop()), 0);
+    const calls = async procs => (await Promise.all(procs.map(p => metric(p, 'weather_upstream_requests_total{')))).reduce((a, b) => a + b, 0);
+
+    try {
+      const a = await boot('test-a');
+      const b = await boot('test-b');
+      const headers = await signIn(a.url, 'admin', 'supersecret1');
+      const get = (proc, route, init = {}) => fetch(`${proc.url}${route}`, { headers, ...init });
+
+      // Exactly one leader; the session from A works on B.
+      assert.equal(await metric(a, 'weather_leader ') + await metric(b, 'weather_leader '), 1);
+      assert.equal((await get(b, '/api/cities')).status, 200);
+
+      // A refresh on A expires B's verification cache.
+      const misses = () => metric(b, 'weather_cache_requests_total{cache="verify",result="miss"}');
+      assert.equal((await get(b, '/api/verify/Prague')).status, 200);
+      assert.equal((await get(b, '/api/verify/Prague')).status, 200);
+      const before = await misses();
+      const { jobId } = await (await get(a, '/api/fetch', { method: 'POST' })).json();
+      await until('the refresh job, seen from B', async () => (await (await get(b, `/api/jobs/${jobId}`)).json()).finishedAt);
+      await until('the refresh NOTIFY on B', () => b.log.includes('Refresh finished on test-a'));
+      assert.equal((await get(b, '/api/verify/Prague')).status, 200);
+      assert.equal(await misses(), before + 1);
+
+      // One LIVE fetch alone, then the same fetch on both at once: same upstream calls.
+      let n = await calls([a, b]);
+      assert.equal((await get(a, '/api/live/Brno')).status, 200);
+      const single = await calls([a, b]) - n;
+      assert.ok(single > 0);
+      n = await calls([a, b]);
+      const both = await Promise.all([get(a, '/api/live/Ostrava'), get(b, '/api/live/Ostrava')]);
+      assert.deepEqual(both.map(r => r.status), [200, 200]);
+      assert.equal(await calls([a, b]) - n, single);
+    } finally {
+      for (const proc of started) await stopServer(proc);
+    }
+  });